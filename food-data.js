@@ -0,0 +1,1135 @@
+// PantryPilot bundled food database
+//
+// An extract of USDA FoodData Central SR Legacy (April 2018, public
+// domain): nutrients per 100 g of the edible portion, rounded. Each food
+// lists the ingredient names it should match (run through
+// normalizeIngredient when loaded, so "eggs" and "large eggs" both find
+// "egg") and, for foods counted rather than measured, the grams in one
+// portion: "each" for a bare count ("2 eggs"), otherwise by unit ("3
+// cloves garlic", "1 can tomatoes").
+//
+// script.js registers this file with registerFoodDataset. Any dataset of
+// the same shape can be registered after it; its foods win name clashes.
+
+window.PANTRYPILOT_FOOD_DATA = {
+  id: "usda-sr-legacy",
+  name: "USDA SR Legacy extract",
+  nutrients: [
+    "calories",
+    "protein",
+    "fat",
+    "saturatedFat",
+    "cholesterol",
+    "sodium",
+    "carbs",
+    "fiber",
+    "sugar",
+    "calcium",
+    "iron",
+    "potassium",
+    "vitaminD",
+    "vitaminC",
+  ],
+  foods: [
+    // Flours, sugars and baking
+    {
+      name: "Wheat flour, white, all-purpose, enriched",
+      aliases: [
+        "flour",
+        "all-purpose flour",
+        "all purpose flour",
+        "plain flour",
+        "white flour",
+      ],
+      per100g: [364, 10.3, 1, 0.2, 0, 2, 76.3, 2.7, 0.3, 15, 4.6, 107, 0, 0],
+    },
+    {
+      name: "Wheat flour, white, bread, enriched",
+      aliases: ["bread flour"],
+      per100g: [361, 12, 1.7, 0.2, 0, 2, 72.5, 2.4, 0.3, 15, 4.4, 100, 0, 0],
+    },
+    {
+      name: "Wheat flour, whole-grain",
+      aliases: ["whole wheat flour", "wholemeal flour"],
+      per100g: [340, 13.2, 2.5, 0.4, 0, 2, 72, 10.7, 0.4, 34, 3.6, 363, 0, 0],
+    },
+    {
+      name: "Wheat flour, white, cake, enriched",
+      aliases: ["cake flour"],
+      per100g: [362, 8.2, 0.9, 0.1, 0, 2, 78, 1.7, 0.3, 14, 7.3, 105, 0, 0],
+    },
+    {
+      name: "Almonds, blanched (almond flour)",
+      aliases: ["almond flour", "almond meal"],
+      per100g: [
+        590, 21.4, 52.5, 3.8, 0, 19, 18.7, 9.9, 4.6, 236, 3.3, 659, 0, 0,
+      ],
+    },
+    {
+      name: "Cornstarch",
+      aliases: ["cornstarch", "corn starch", "cornflour"],
+      per100g: [381, 0.3, 0.1, 0, 0, 9, 91.3, 0.9, 0, 2, 0.5, 3, 0, 0],
+    },
+    {
+      name: "Cornmeal, degermed, enriched, yellow",
+      aliases: ["cornmeal", "polenta"],
+      per100g: [370, 7.1, 1.8, 0.2, 0, 3, 79.5, 3.9, 0.6, 3, 4.4, 142, 0, 0],
+    },
+    {
+      name: "Cocoa, dry powder, unsweetened",
+      aliases: ["cocoa", "cocoa powder", "unsweetened cocoa powder"],
+      per100g: [
+        228, 19.6, 13.7, 8.1, 0, 21, 57.9, 37, 1.8, 128, 13.9, 1524, 0, 0,
+      ],
+    },
+    {
+      name: "Sugars, granulated",
+      aliases: ["sugar", "white sugar", "granulated sugar", "caster sugar"],
+      per100g: [387, 0, 0, 0, 0, 1, 100, 0, 99.8, 1, 0.1, 2, 0, 0],
+    },
+    {
+      name: "Sugars, brown",
+      aliases: ["brown sugar", "light brown sugar", "dark brown sugar"],
+      per100g: [380, 0.1, 0, 0, 0, 28, 98.1, 0, 97, 83, 0.7, 133, 0, 0],
+    },
+    {
+      name: "Sugars, powdered",
+      aliases: ["powdered sugar", "confectioners sugar", "icing sugar"],
+      per100g: [389, 0, 0.3, 0, 0, 2, 99.8, 0, 97.8, 1, 0.1, 2, 0, 0],
+    },
+    {
+      name: "Honey",
+      aliases: ["honey"],
+      per100g: [304, 0.3, 0, 0, 0, 4, 82.4, 0.2, 82.1, 6, 0.4, 52, 0, 0.5],
+    },
+    {
+      name: "Syrups, maple",
+      aliases: ["maple syrup", "pure maple syrup"],
+      per100g: [260, 0, 0.1, 0, 0, 12, 67, 0, 60.5, 102, 0.1, 212, 0, 0],
+    },
+    {
+      name: "Molasses",
+      aliases: ["molasses"],
+      per100g: [290, 0, 0.1, 0, 0, 37, 74.7, 0, 74.7, 205, 4.7, 1464, 0, 0],
+    },
+    {
+      name: "Leavening agents, baking soda",
+      aliases: ["baking soda", "bicarbonate of soda"],
+      per100g: [0, 0, 0, 0, 0, 27360, 0, 0, 0, 0, 0, 0, 0, 0],
+    },
+    {
+      name: "Leavening agents, baking powder, double-acting",
+      aliases: ["baking powder"],
+      per100g: [53, 0, 0, 0, 0, 10600, 27.7, 0.2, 0, 5876, 11, 20, 0, 0],
+    },
+    {
+      name: "Leavening agents, yeast, baker's, active dry",
+      aliases: ["yeast", "active dry yeast", "instant yeast"],
+      per100g: [325, 40.4, 7.6, 1, 0, 51, 41.2, 26.9, 0, 30, 2.2, 955, 0, 0.3],
+      portions: { package: 7 },
+    },
+    {
+      name: "Salt, table",
+      aliases: ["salt", "table salt", "sea salt", "kosher salt"],
+      per100g: [0, 0, 0, 0, 0, 38758, 0, 0, 0, 24, 0.3, 8, 0, 0],
+      portions: { pinch: 0.4, dash: 0.6 },
+    },
+    {
+      name: "Vanilla extract",
+      aliases: ["vanilla", "vanilla extract"],
+      per100g: [288, 0.1, 0.1, 0, 0, 9, 12.7, 0, 12.7, 11, 0.1, 148, 0, 0],
+    },
+    {
+      name: "Chocolate, dark, 45-59% cacao solids (semisweet)",
+      aliases: [
+        "chocolate",
+        "chocolate chip",
+        "semisweet chocolate chip",
+        "dark chocolate",
+      ],
+      per100g: [546, 4.9, 31.3, 18.5, 8, 24, 61.2, 7, 48, 56, 8, 559, 0, 0],
+    },
+
+    // Fats and oils
+    {
+      name: "Butter, salted",
+      aliases: ["butter", "salted butter"],
+      per100g: [717, 0.9, 81.1, 51.4, 215, 643, 0.1, 0, 0.1, 24, 0, 24, 1.5, 0],
+      portions: { stick: 113 },
+    },
+    {
+      name: "Butter, without salt",
+      aliases: ["unsalted butter"],
+      per100g: [717, 0.9, 81.1, 51.4, 215, 11, 0.1, 0, 0.1, 24, 0, 24, 1.5, 0],
+      portions: { stick: 113 },
+    },
+    {
+      name: "Oil, olive, salad or cooking",
+      aliases: ["olive oil", "extra virgin olive oil"],
+      per100g: [884, 0, 100, 13.8, 0, 2, 0, 0, 0, 1, 0.6, 1, 0, 0],
+    },
+    {
+      name: "Oil, canola",
+      aliases: [
+        "oil",
+        "vegetable oil",
+        "canola oil",
+        "cooking oil",
+        "neutral oil",
+      ],
+      per100g: [884, 0, 100, 7.4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    },
+    {
+      name: "Oil, coconut",
+      aliases: ["coconut oil"],
+      per100g: [892, 0, 99.1, 82.5, 0, 0, 0, 0, 0, 1, 0.1, 0, 0, 0],
+    },
+    {
+      name: "Oil, sesame, salad or cooking",
+      aliases: ["sesame oil", "toasted sesame oil"],
+      per100g: [884, 0, 100, 14.2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    },
+    {
+      name: "Shortening, household, soybean and cottonseed",
+      aliases: ["shortening", "vegetable shortening"],
+      per100g: [884, 0, 100, 25, 0, 4, 0, 0, 0, 1, 0.1, 1, 0, 0],
+    },
+    {
+      name: "Salad dressing, mayonnaise, regular",
+      aliases: ["mayonnaise", "mayo"],
+      per100g: [680, 1, 74.9, 11.7, 42, 635, 0.6, 0, 0.6, 8, 0.2, 20, 0.2, 0],
+    },
+
+    // Dairy and eggs
+    {
+      name: "Milk, whole, 3.25% milkfat",
+      aliases: ["milk", "whole milk"],
+      per100g: [61, 3.2, 3.3, 1.9, 10, 43, 4.8, 0, 5.1, 113, 0, 132, 1.3, 0],
+    },
+    {
+      name: "Milk, reduced fat, 2% milkfat",
+      aliases: ["2% milk", "reduced fat milk", "low fat milk", "lowfat milk"],
+      per100g: [50, 3.3, 2, 1.3, 8, 47, 4.8, 0, 5.1, 120, 0, 140, 1.2, 0.2],
+    },
+    {
+      name: "Milk, nonfat (skim)",
+      aliases: ["skim milk", "nonfat milk", "fat free milk"],
+      per100g: [34, 3.4, 0.1, 0.1, 2, 42, 5, 0, 5.1, 122, 0, 156, 1.2, 0],
+    },
+    {
+      name: "Buttermilk, cultured, lowfat",
+      aliases: ["buttermilk"],
+      per100g: [40, 3.3, 0.9, 0.5, 4, 105, 4.8, 0, 4.8, 116, 0.1, 151, 0, 1],
+    },
+    {
+      name: "Cream, fluid, heavy whipping",
+      aliases: [
+        "cream",
+        "heavy cream",
+        "whipping cream",
+        "heavy whipping cream",
+        "double cream",
+      ],
+      per100g: [340, 2.8, 36.1, 23, 113, 27, 2.7, 0, 2.9, 66, 0, 95, 1.6, 0.6],
+    },
+    {
+      name: "Cream, fluid, half and half",
+      aliases: ["half and half", "halfandhalf"],
+      per100g: [
+        131, 3.1, 11.5, 7.2, 35, 61, 4.3, 0, 4.1, 107, 0.1, 132, 0, 0.9,
+      ],
+    },
+    {
+      name: "Cream, sour, cultured",
+      aliases: ["sour cream"],
+      per100g: [
+        198, 2.4, 19.4, 10.1, 52, 31, 4.6, 0, 3.4, 101, 0.1, 125, 0, 0.9,
+      ],
+    },
+    {
+      name: "Cheese, cream",
+      aliases: ["cream cheese"],
+      per100g: [
+        342, 5.9, 34.2, 19.3, 110, 321, 4.1, 0, 3.2, 98, 0.4, 138, 0, 0,
+      ],
+      portions: { package: 226 },
+    },
+    {
+      name: "Yogurt, plain, whole milk",
+      aliases: ["yogurt", "plain yogurt", "yoghurt"],
+      per100g: [
+        61, 3.5, 3.3, 2.1, 13, 46, 4.7, 0, 4.7, 121, 0.1, 155, 0.1, 0.5,
+      ],
+    },
+    {
+      name: "Yogurt, Greek, plain, nonfat",
+      aliases: ["greek yogurt", "plain greek yogurt"],
+      per100g: [59, 10.2, 0.4, 0.1, 5, 36, 3.6, 0, 3.2, 110, 0.1, 141, 0, 0],
+    },
+    {
+      name: "Cheese, cheddar",
+      aliases: [
+        "cheese",
+        "cheddar",
+        "cheddar cheese",
+        "shredded cheese",
+        "sharp cheddar cheese",
+      ],
+      per100g: [
+        403, 24.9, 33.1, 21.1, 105, 621, 1.3, 0, 0.5, 721, 0.7, 98, 0.6, 0,
+      ],
+      portions: { slice: 28 },
+    },
+    {
+      name: "Cheese, mozzarella, whole milk",
+      aliases: ["mozzarella", "mozzarella cheese", "shredded mozzarella"],
+      per100g: [
+        300, 22.2, 22.4, 13.2, 79, 627, 2.2, 0, 1, 505, 0.4, 76, 0.4, 0,
+      ],
+      portions: { slice: 28 },
+    },
+    {
+      name: "Cheese, parmesan, grated",
+      aliases: [
+        "parmesan",
+        "parmesan cheese",
+        "parmigiano reggiano",
+        "grated parmesan",
+      ],
+      per100g: [
+        431, 38.5, 28.6, 17.3, 88, 1529, 4.1, 0, 0.9, 1109, 0.9, 125, 0.5, 0,
+      ],
+    },
+    {
+      name: "Cheese, feta",
+      aliases: ["feta", "feta cheese", "crumbled feta"],
+      per100g: [
+        264, 14.2, 21.3, 15, 89, 917, 4.1, 0, 4.1, 493, 0.7, 62, 0.4, 0,
+      ],
+    },
+    {
+      name: "Cheese, ricotta, whole milk",
+      aliases: ["ricotta", "ricotta cheese"],
+      per100g: [174, 11.3, 13, 8.3, 51, 84, 3, 0, 0.3, 207, 0.4, 105, 0.2, 0],
+    },
+    {
+      name: "Egg, whole, raw, fresh",
+      aliases: ["egg", "whole egg", "large egg"],
+      per100g: [143, 12.6, 9.5, 3.1, 372, 142, 0.7, 0, 0.4, 56, 1.8, 138, 2, 0],
+      portions: { each: 50 },
+    },
+    {
+      name: "Egg, yolk, raw, fresh",
+      aliases: ["egg yolk", "yolk"],
+      per100g: [
+        322, 15.9, 26.5, 9.6, 1085, 48, 3.6, 0, 0.6, 129, 2.7, 109, 5.4, 0,
+      ],
+      portions: { each: 17 },
+    },
+    {
+      name: "Egg, white, raw, fresh",
+      aliases: ["egg white"],
+      per100g: [52, 10.9, 0.2, 0, 0, 166, 0.7, 0, 0.7, 7, 0.1, 163, 0, 0],
+      portions: { each: 33 },
+    },
+
+    // Meat, poultry and seafood
+    {
+      name: "Beef, ground, 80% lean meat / 20% fat, raw",
+      aliases: ["ground beef", "minced beef", "hamburger", "beef mince"],
+      per100g: [254, 17.2, 20, 7.6, 71, 66, 0, 0, 0, 18, 1.9, 270, 0.1, 0],
+    },
+    {
+      name: "Beef, chuck, separable lean and fat, raw",
+      aliases: [
+        "beef",
+        "beef chuck",
+        "chuck roast",
+        "stew meat",
+        "beef stew meat",
+        "pot roast",
+      ],
+      per100g: [198, 19.4, 12.7, 5.1, 70, 60, 0, 0, 0, 13, 2, 300, 0.1, 0],
+    },
+    {
+      name: "Beef, top sirloin, separable lean and fat, raw",
+      aliases: [
+        "steak",
+        "sirloin",
+        "sirloin steak",
+        "flank steak",
+        "ribeye",
+        "beef steak",
+      ],
+      per100g: [180, 20, 11, 4.4, 65, 55, 0, 0, 0, 15, 1.6, 320, 0.1, 0],
+    },
+    {
+      name: "Chicken, broilers or fryers, breast, meat only, raw",
+      aliases: [
+        "chicken",
+        "chicken breast",
+        "boneless skinless chicken breast",
+        "chicken breast half",
+      ],
+      per100g: [120, 22.5, 2.6, 0.6, 73, 45, 0, 0, 0, 5, 0.4, 334, 0, 0],
+      portions: { each: 174 },
+    },
+    {
+      name: "Chicken, broilers or fryers, thigh, meat only, raw",
+      aliases: ["chicken thigh", "boneless skinless chicken thigh"],
+      per100g: [121, 19.7, 4.1, 1, 94, 95, 0, 0, 0, 8, 0.8, 230, 0, 0],
+      portions: { each: 100 },
+    },
+    {
+      name: "Chicken, broilers or fryers, meat and skin, raw",
+      aliases: [
+        "whole chicken",
+        "chicken leg",
+        "chicken drumstick",
+        "chicken wing",
+      ],
+      per100g: [215, 18.6, 15.1, 4.3, 75, 70, 0, 0, 0, 11, 0.9, 189, 0.2, 1.6],
+    },
+    {
+      name: "Turkey, ground, raw",
+      aliases: ["ground turkey", "turkey", "minced turkey"],
+      per100g: [148, 17.8, 8.3, 2.2, 69, 69, 0, 0, 0, 21, 1.1, 235, 0.3, 0],
+    },
+    {
+      name: "Pork, fresh, tenderloin, separable lean and fat, raw",
+      aliases: ["pork", "pork tenderloin", "pork loin", "pork chop"],
+      per100g: [120, 21, 3.5, 1.2, 65, 48, 0, 0, 0, 5, 1, 399, 0.5, 0],
+    },
+    {
+      name: "Pork, fresh, shoulder (Boston butt), separable lean and fat, raw",
+      aliases: ["pork shoulder", "pork butt", "boston butt"],
+      per100g: [186, 17.2, 12.4, 4.3, 71, 76, 0, 0, 0, 17, 1.1, 310, 0.8, 0],
+    },
+    {
+      name: "Pork, fresh, ground, raw",
+      aliases: ["ground pork", "minced pork"],
+      per100g: [263, 16.9, 21.2, 7.9, 72, 56, 0, 0, 0, 14, 0.9, 287, 0.8, 0],
+    },
+    {
+      name: "Pork, cured, bacon, unprepared",
+      aliases: ["bacon"],
+      per100g: [417, 12.6, 39.7, 13.3, 66, 833, 1.3, 0, 0, 6, 0.4, 208, 0, 0],
+      portions: { slice: 28, each: 28 },
+    },
+    {
+      name: "Ham, sliced, regular",
+      aliases: ["ham", "deli ham"],
+      per100g: [163, 16.6, 8.6, 2.9, 57, 1203, 3.8, 0, 0, 24, 1, 287, 0.7, 0],
+      portions: { slice: 28 },
+    },
+    {
+      name: "Sausage, Italian, pork, raw",
+      aliases: ["sausage", "italian sausage", "pork sausage"],
+      per100g: [
+        346, 14.3, 31.3, 11.3, 76, 731, 0.7, 0, 0, 18, 1.1, 240, 0.9, 0,
+      ],
+      portions: { each: 113 },
+    },
+    {
+      name: "Fish, salmon, Atlantic, farmed, raw",
+      aliases: ["salmon", "salmon fillet"],
+      per100g: [208, 20.4, 13.4, 3.1, 55, 59, 0, 0, 0, 9, 0.3, 363, 11, 3.9],
+      portions: { each: 170 },
+    },
+    {
+      name: "Fish, cod, Atlantic, raw",
+      aliases: ["cod", "white fish", "cod fillet", "haddock", "tilapia"],
+      per100g: [82, 17.8, 0.7, 0.1, 43, 54, 0, 0, 0, 16, 0.4, 413, 0.9, 1],
+      portions: { each: 170 },
+    },
+    {
+      name: "Fish, tuna, light, canned in water, drained solids",
+      aliases: ["tuna", "canned tuna"],
+      per100g: [116, 25.5, 0.8, 0.2, 30, 338, 0, 0, 0, 11, 1.5, 237, 1.7, 0],
+      portions: { can: 142 },
+    },
+    {
+      name: "Crustaceans, shrimp, raw",
+      aliases: ["shrimp", "prawn", "prawns"],
+      per100g: [85, 20.1, 0.5, 0.1, 161, 119, 0, 0, 0, 64, 0.2, 264, 0, 0],
+    },
+    {
+      name: "Tofu, firm, prepared with calcium sulfate",
+      aliases: ["tofu", "firm tofu", "extra firm tofu"],
+      per100g: [
+        144, 17.3, 8.7, 1.3, 0, 14, 2.8, 2.3, 0.6, 683, 2.7, 237, 0, 0.2,
+      ],
+      portions: { package: 397 },
+    },
+
+    // Grains, breads and starches
+    {
+      name: "Rice, white, long-grain, regular, raw, enriched",
+      aliases: [
+        "rice",
+        "white rice",
+        "long grain rice",
+        "jasmine rice",
+        "basmati rice",
+      ],
+      per100g: [365, 7.1, 0.7, 0.2, 0, 5, 80, 1.3, 0.1, 28, 4.3, 115, 0, 0],
+    },
+    {
+      name: "Rice, brown, long-grain, raw",
+      aliases: ["brown rice"],
+      per100g: [370, 7.9, 2.9, 0.6, 0, 7, 77.2, 3.5, 0.9, 23, 1.5, 223, 0, 0],
+    },
+    {
+      name: "Pasta, dry, enriched",
+      aliases: [
+        "pasta",
+        "spaghetti",
+        "penne",
+        "macaroni",
+        "noodle",
+        "fettuccine",
+        "linguine",
+        "lasagna noodle",
+        "egg noodle",
+        "elbow macaroni",
+      ],
+      per100g: [371, 13, 1.5, 0.3, 0, 6, 74.7, 3.2, 2.7, 21, 3.3, 223, 0, 0],
+      portions: { package: 454 },
+    },
+    {
+      name: "Cereals, oats, regular and quick, not fortified, dry",
+      aliases: [
+        "oat",
+        "oats",
+        "rolled oats",
+        "old fashioned oats",
+        "quick oats",
+        "oatmeal",
+      ],
+      per100g: [379, 13.2, 6.5, 1.1, 0, 6, 67.7, 10.1, 1, 52, 4.3, 362, 0, 0],
+    },
+    {
+      name: "Quinoa, uncooked",
+      aliases: ["quinoa"],
+      per100g: [368, 14.1, 6.1, 0.7, 0, 5, 64.2, 7, 0, 47, 4.6, 563, 0, 0],
+    },
+    {
+      name: "Bread, white, commercially prepared",
+      aliases: ["bread", "white bread", "sandwich bread"],
+      per100g: [
+        266, 8.9, 3.3, 0.7, 0, 490, 50.6, 2.4, 5.7, 151, 3.6, 100, 0, 0,
+      ],
+      portions: { slice: 28, each: 28 },
+    },
+    {
+      name: "Bread, whole-wheat, commercially prepared",
+      aliases: ["whole wheat bread", "wholemeal bread"],
+      per100g: [252, 12.5, 3.5, 0.7, 0, 450, 42.7, 6, 4.4, 161, 2.5, 250, 0, 0],
+      portions: { slice: 32, each: 32 },
+    },
+    {
+      name: "Bread, crumbs, dry, grated, plain",
+      aliases: ["breadcrumb", "bread crumb", "panko", "panko breadcrumb"],
+      per100g: [395, 13.4, 5.3, 1.2, 0, 732, 72, 4.5, 6.2, 183, 4.8, 196, 0, 0],
+    },
+    {
+      name: "Tortillas, ready-to-bake or -fry, flour",
+      aliases: ["flour tortilla", "tortilla", "wrap"],
+      per100g: [306, 8.2, 8, 2, 0, 600, 50, 3.5, 2, 145, 3.6, 130, 0, 0],
+      portions: { each: 45 },
+    },
+    {
+      name: "Tortillas, ready-to-bake or -fry, corn",
+      aliases: ["corn tortilla"],
+      per100g: [218, 5.7, 2.9, 0.4, 0, 45, 44.6, 6.3, 0.9, 81, 1.2, 186, 0, 0],
+      portions: { each: 26 },
+    },
+    {
+      name: "Potatoes, flesh and skin, raw",
+      aliases: [
+        "potato",
+        "russet potato",
+        "yukon gold potato",
+        "red potato",
+        "baby potato",
+      ],
+      per100g: [77, 2.1, 0.1, 0, 0, 6, 17.5, 2.1, 0.8, 12, 0.8, 425, 0, 19.7],
+      portions: { each: 213 },
+    },
+    {
+      name: "Sweet potato, raw, unprepared",
+      aliases: ["sweet potato", "yam"],
+      per100g: [86, 1.6, 0.1, 0, 0, 55, 20.1, 3, 4.2, 30, 0.6, 337, 0, 2.4],
+      portions: { each: 130 },
+    },
+
+    // Vegetables and herbs
+    {
+      name: "Onions, raw",
+      aliases: [
+        "onion",
+        "yellow onion",
+        "white onion",
+        "red onion",
+        "sweet onion",
+        "shallot",
+      ],
+      per100g: [40, 1.1, 0.1, 0, 0, 4, 9.3, 1.7, 4.2, 23, 0.2, 146, 0, 7.4],
+      portions: { each: 110 },
+    },
+    {
+      name: "Garlic, raw",
+      aliases: ["garlic", "garlic clove"],
+      per100g: [
+        149, 6.4, 0.5, 0.1, 0, 17, 33.1, 2.1, 1, 181, 1.7, 401, 0, 31.2,
+      ],
+      portions: { clove: 3, each: 3, head: 40 },
+    },
+    {
+      name: "Carrots, raw",
+      aliases: ["carrot", "baby carrot"],
+      per100g: [41, 0.9, 0.2, 0, 0, 69, 9.6, 2.8, 4.7, 33, 0.3, 320, 0, 5.9],
+      portions: { each: 61 },
+    },
+    {
+      name: "Celery, raw",
+      aliases: ["celery", "celery stalk", "celery rib"],
+      per100g: [14, 0.7, 0.2, 0, 0, 80, 3, 1.6, 1.3, 40, 0.2, 260, 0, 3.1],
+      portions: { stalk: 40, each: 40 },
+    },
+    {
+      name: "Tomatoes, red, ripe, raw",
+      aliases: ["tomato", "roma tomato", "cherry tomato", "grape tomato"],
+      per100g: [18, 0.9, 0.2, 0, 0, 5, 3.9, 1.2, 2.6, 10, 0.3, 237, 0, 13.7],
+      portions: { each: 123 },
+    },
+    {
+      name: "Tomatoes, crushed, canned",
+      aliases: [
+        "crushed tomato",
+        "diced tomato",
+        "whole peeled tomato",
+        "canned tomato",
+      ],
+      per100g: [32, 1.6, 0.3, 0, 0, 132, 7.3, 1.9, 4.4, 34, 1.3, 293, 0, 9.2],
+      portions: { can: 411 },
+    },
+    {
+      name: "Tomato products, canned, sauce",
+      aliases: ["tomato sauce", "marinara", "marinara sauce", "pasta sauce"],
+      per100g: [24, 1.2, 0.3, 0, 0, 474, 5.3, 1.5, 3.6, 14, 1, 297, 0, 7],
+      portions: { can: 425, jar: 680 },
+    },
+    {
+      name: "Tomato products, canned, paste",
+      aliases: ["tomato paste"],
+      per100g: [
+        82, 4.3, 0.5, 0.1, 0, 59, 18.9, 4.1, 12.2, 36, 3, 1014, 0, 21.9,
+      ],
+      portions: { can: 170 },
+    },
+    {
+      name: "Peppers, sweet, red, raw",
+      aliases: [
+        "bell pepper",
+        "red bell pepper",
+        "red pepper",
+        "yellow bell pepper",
+        "orange bell pepper",
+      ],
+      per100g: [31, 1, 0.3, 0, 0, 4, 6, 2.1, 4.2, 7, 0.4, 211, 0, 127.7],
+      portions: { each: 119 },
+    },
+    {
+      name: "Peppers, sweet, green, raw",
+      aliases: ["green bell pepper", "green pepper"],
+      per100g: [20, 0.9, 0.2, 0.1, 0, 3, 4.6, 1.7, 2.4, 10, 0.3, 175, 0, 80.4],
+      portions: { each: 119 },
+    },
+    {
+      name: "Peppers, jalapeno, raw",
+      aliases: [
+        "jalapeno",
+        "jalapeno pepper",
+        "chili pepper",
+        "serrano pepper",
+      ],
+      per100g: [29, 0.9, 0.4, 0.1, 0, 3, 6.5, 2.8, 4.1, 12, 0.3, 248, 0, 118.6],
+      portions: { each: 14 },
+    },
+    {
+      name: "Broccoli, raw",
+      aliases: ["broccoli", "broccoli floret"],
+      per100g: [34, 2.8, 0.4, 0, 0, 33, 6.6, 2.6, 1.7, 47, 0.7, 316, 0, 89.2],
+      portions: { head: 608 },
+    },
+    {
+      name: "Cauliflower, raw",
+      aliases: ["cauliflower", "cauliflower floret"],
+      per100g: [25, 1.9, 0.3, 0.1, 0, 30, 5, 2, 1.9, 22, 0.4, 299, 0, 48.2],
+      portions: { head: 588 },
+    },
+    {
+      name: "Spinach, raw",
+      aliases: ["spinach", "baby spinach"],
+      per100g: [23, 2.9, 0.4, 0.1, 0, 79, 3.6, 2.2, 0.4, 99, 2.7, 558, 0, 28.1],
+      portions: { bunch: 340 },
+    },
+    {
+      name: "Kale, raw",
+      aliases: ["kale"],
+      per100g: [49, 4.3, 0.9, 0.1, 0, 38, 8.8, 3.6, 2.3, 150, 1.5, 491, 0, 120],
+      portions: { bunch: 200 },
+    },
+    {
+      name: "Lettuce, cos or romaine, raw",
+      aliases: [
+        "lettuce",
+        "romaine",
+        "romaine lettuce",
+        "mixed green",
+        "salad green",
+      ],
+      per100g: [17, 1.2, 0.3, 0, 0, 8, 3.3, 2.1, 1.2, 33, 1, 247, 0, 4],
+      portions: { head: 626 },
+    },
+    {
+      name: "Cabbage, raw",
+      aliases: ["cabbage", "green cabbage", "red cabbage"],
+      per100g: [25, 1.3, 0.1, 0, 0, 18, 5.8, 2.5, 3.2, 40, 0.5, 170, 0, 36.6],
+      portions: { head: 908 },
+    },
+    {
+      name: "Cucumber, with peel, raw",
+      aliases: ["cucumber", "english cucumber"],
+      per100g: [15, 0.7, 0.1, 0, 0, 2, 3.6, 0.5, 1.7, 16, 0.3, 147, 0, 2.8],
+      portions: { each: 301 },
+    },
+    {
+      name: "Squash, summer, zucchini, includes skin, raw",
+      aliases: ["zucchini", "courgette", "summer squash"],
+      per100g: [17, 1.2, 0.3, 0.1, 0, 8, 3.1, 1, 2.5, 16, 0.4, 261, 0, 17.9],
+      portions: { each: 196 },
+    },
+    {
+      name: "Mushrooms, white, raw",
+      aliases: [
+        "mushroom",
+        "button mushroom",
+        "cremini mushroom",
+        "baby bella mushroom",
+      ],
+      per100g: [22, 3.1, 0.3, 0.1, 0, 5, 3.3, 1, 2, 3, 0.5, 318, 0.2, 2.1],
+      portions: { package: 227 },
+    },
+    {
+      name: "Corn, sweet, yellow, raw",
+      aliases: ["corn", "sweet corn", "corn kernel", "ear corn"],
+      per100g: [86, 3.3, 1.4, 0.3, 0, 15, 18.7, 2, 6.3, 2, 0.5, 270, 0, 6.8],
+      portions: { each: 90, can: 425 },
+    },
+    {
+      name: "Beans, snap, green, raw",
+      aliases: ["green bean", "string bean", "haricots verts"],
+      per100g: [31, 1.8, 0.2, 0.1, 0, 6, 7, 2.7, 3.3, 37, 1, 211, 0, 12.2],
+    },
+    {
+      name: "Peas, green, raw",
+      aliases: ["pea", "peas", "green pea", "frozen pea"],
+      per100g: [81, 5.4, 0.4, 0.1, 0, 5, 14.5, 5.7, 5.7, 25, 1.5, 244, 0, 40],
+    },
+    {
+      name: "Avocados, raw, all commercial varieties",
+      aliases: ["avocado"],
+      per100g: [160, 2, 14.7, 2.1, 0, 7, 8.5, 6.7, 0.7, 12, 0.6, 485, 0, 10],
+      portions: { each: 150 },
+    },
+    {
+      name: "Onions, spring or scallions, raw",
+      aliases: ["green onion", "scallion", "spring onion"],
+      per100g: [32, 1.8, 0.2, 0, 0, 16, 7.3, 2.6, 2.3, 72, 1.5, 276, 0, 18.8],
+      portions: { each: 15, stalk: 15, bunch: 100 },
+    },
+    {
+      name: "Ginger root, raw",
+      aliases: ["ginger", "fresh ginger", "ginger root"],
+      per100g: [80, 1.8, 0.8, 0.2, 0, 13, 17.8, 2, 1.7, 16, 0.6, 415, 0, 5],
+    },
+    {
+      name: "Coriander (cilantro) leaves, raw",
+      aliases: ["cilantro", "coriander leaves"],
+      per100g: [23, 2.1, 0.5, 0, 0, 46, 3.7, 2.8, 0.9, 67, 1.8, 521, 0, 27],
+      portions: { bunch: 60, sprig: 1 },
+    },
+    {
+      name: "Parsley, fresh",
+      aliases: ["parsley", "flat leaf parsley", "italian parsley"],
+      per100g: [36, 3, 0.8, 0.1, 0, 56, 6.3, 3.3, 0.9, 138, 6.2, 554, 0, 133],
+      portions: { bunch: 60, sprig: 1 },
+    },
+    {
+      name: "Basil, fresh",
+      aliases: ["basil", "basil leaves", "fresh basil"],
+      per100g: [23, 3.2, 0.6, 0, 0, 4, 2.7, 1.6, 0.3, 177, 3.2, 295, 0, 18],
+      portions: { bunch: 30, sprig: 1 },
+    },
+
+    // Fruit
+    {
+      name: "Lemon juice, raw",
+      aliases: ["lemon juice"],
+      per100g: [22, 0.4, 0.2, 0, 0, 1, 6.9, 0.3, 2.5, 6, 0.1, 103, 0, 38.7],
+    },
+    {
+      name: "Lemons, raw, without peel",
+      aliases: ["lemon", "lemon zest"],
+      per100g: [29, 1.1, 0.3, 0, 0, 2, 9.3, 2.8, 2.5, 26, 0.6, 138, 0, 53],
+      portions: { each: 58 },
+    },
+    {
+      name: "Limes, raw",
+      aliases: ["lime", "lime juice", "lime zest"],
+      per100g: [30, 0.7, 0.2, 0, 0, 2, 10.5, 2.8, 1.7, 33, 0.6, 102, 0, 29.1],
+      portions: { each: 67 },
+    },
+    {
+      name: "Apples, raw, with skin",
+      aliases: ["apple", "granny smith apple"],
+      per100g: [52, 0.3, 0.2, 0, 0, 1, 13.8, 2.4, 10.4, 6, 0.1, 107, 0, 4.6],
+      portions: { each: 182 },
+    },
+    {
+      name: "Bananas, raw",
+      aliases: ["banana", "ripe banana"],
+      per100g: [89, 1.1, 0.3, 0.1, 0, 1, 22.8, 2.6, 12.2, 5, 0.3, 358, 0, 8.7],
+      portions: { each: 118 },
+    },
+    {
+      name: "Strawberries, raw",
+      aliases: ["strawberry", "strawberries"],
+      per100g: [32, 0.7, 0.3, 0, 0, 1, 7.7, 2, 4.9, 16, 0.4, 153, 0, 58.8],
+    },
+    {
+      name: "Blueberries, raw",
+      aliases: ["blueberry", "blueberries"],
+      per100g: [57, 0.7, 0.3, 0, 0, 1, 14.5, 2.4, 10, 6, 0.3, 77, 0, 9.7],
+    },
+    {
+      name: "Oranges, raw, all commercial varieties",
+      aliases: ["orange", "orange juice"],
+      per100g: [47, 0.9, 0.1, 0, 0, 0, 11.8, 2.4, 9.4, 40, 0.1, 181, 0, 53.2],
+      portions: { each: 131 },
+    },
+    {
+      name: "Raisins, seedless",
+      aliases: ["raisin", "dried cranberry", "craisin"],
+      per100g: [
+        299, 3.1, 0.5, 0.1, 0, 11, 79.2, 3.7, 59.2, 50, 1.9, 749, 0, 2.3,
+      ],
+    },
+
+    // Legumes, nuts and seeds
+    {
+      name: "Beans, black, mature seeds, canned",
+      aliases: ["black bean", "black beans"],
+      per100g: [91, 6, 0.3, 0.1, 0, 384, 16.6, 6.9, 0.2, 35, 1.9, 308, 0, 3.2],
+      portions: { can: 425 },
+    },
+    {
+      name: "Chickpeas (garbanzo beans), mature seeds, canned, drained",
+      aliases: ["chickpea", "chickpeas", "garbanzo bean", "garbanzo beans"],
+      per100g: [139, 7, 2.8, 0.3, 0, 246, 22.5, 7.6, 0, 43, 1.1, 172, 0, 0],
+      portions: { can: 425 },
+    },
+    {
+      name: "Beans, kidney, red, mature seeds, canned",
+      aliases: [
+        "kidney bean",
+        "kidney beans",
+        "red kidney bean",
+        "pinto bean",
+        "cannellini bean",
+        "white bean",
+      ],
+      per100g: [
+        84, 5.2, 0.6, 0.1, 0, 258, 14.5, 5.4, 1.9, 35, 1.3, 237, 0, 1.2,
+      ],
+      portions: { can: 425 },
+    },
+    {
+      name: "Lentils, raw",
+      aliases: ["lentil", "lentils", "red lentil", "green lentil"],
+      per100g: [352, 24.6, 1.1, 0.2, 0, 6, 63.4, 10.7, 2, 35, 6.5, 677, 0, 4.5],
+    },
+    {
+      name: "Peanut butter, smooth style, with salt",
+      aliases: ["peanut butter", "creamy peanut butter"],
+      per100g: [
+        588, 25.1, 50.4, 10.3, 0, 459, 19.6, 6, 9.2, 43, 1.9, 649, 0, 0,
+      ],
+    },
+    {
+      name: "Peanuts, all types, raw",
+      aliases: ["peanut", "peanuts"],
+      per100g: [
+        567, 25.8, 49.2, 6.3, 0, 18, 16.1, 8.5, 4.7, 92, 4.6, 705, 0, 0,
+      ],
+    },
+    {
+      name: "Nuts, almonds",
+      aliases: ["almond", "almonds", "sliced almond", "slivered almond"],
+      per100g: [
+        579, 21.2, 49.9, 3.8, 0, 1, 21.6, 12.5, 4.4, 269, 3.7, 733, 0, 0,
+      ],
+    },
+    {
+      name: "Nuts, walnuts, English",
+      aliases: ["walnut", "walnuts"],
+      per100g: [
+        654, 15.2, 65.2, 6.1, 0, 2, 13.7, 6.7, 2.6, 98, 2.9, 441, 0, 1.3,
+      ],
+    },
+    {
+      name: "Nuts, pecans",
+      aliases: ["pecan", "pecans"],
+      per100g: [691, 9.2, 72, 6.2, 0, 0, 13.9, 9.6, 4, 70, 2.5, 410, 0, 1.1],
+    },
+    {
+      name: "Nuts, coconut meat, dried (desiccated), not sweetened",
+      aliases: [
+        "coconut",
+        "shredded coconut",
+        "desiccated coconut",
+        "coconut flake",
+      ],
+      per100g: [
+        660, 6.9, 64.5, 57.2, 0, 37, 23.7, 16.3, 7.4, 26, 3.3, 543, 0, 1.5,
+      ],
+    },
+    {
+      name: "Nuts, coconut milk, canned",
+      aliases: ["coconut milk", "coconut cream"],
+      per100g: [197, 2, 21.3, 18.9, 0, 13, 2.8, 0, 0, 18, 3.3, 220, 0, 1],
+      portions: { can: 400 },
+    },
+    {
+      name: "Seeds, sesame seeds, whole, dried",
+      aliases: ["sesame", "sesame seed", "sesame seeds"],
+      per100g: [
+        573, 17.7, 49.7, 7, 0, 11, 23.5, 11.8, 0.3, 975, 14.6, 468, 0, 0,
+      ],
+    },
+    {
+      name: "Seeds, chia seeds, dried",
+      aliases: ["chia", "chia seed", "chia seeds"],
+      per100g: [
+        486, 16.5, 30.7, 3.3, 0, 16, 42.1, 34.4, 0, 631, 7.7, 407, 0, 1.6,
+      ],
+    },
+    {
+      name: "Seeds, flaxseed",
+      aliases: ["flax", "flaxseed", "ground flaxseed", "flax seed"],
+      per100g: [
+        534, 18.3, 42.2, 3.7, 0, 30, 28.9, 27.3, 1.6, 255, 5.7, 813, 0, 0.6,
+      ],
+    },
+
+    // Condiments, liquids and broths
+    {
+      name: "Soy sauce made from soy and wheat (shoyu)",
+      aliases: ["soy sauce", "tamari", "shoyu"],
+      per100g: [53, 8.1, 0.6, 0.1, 0, 5493, 4.9, 0.8, 0.4, 33, 1.5, 435, 0, 0],
+    },
+    {
+      name: "Vinegar, distilled",
+      aliases: [
+        "vinegar",
+        "white vinegar",
+        "rice vinegar",
+        "apple cider vinegar",
+        "red wine vinegar",
+        "white wine vinegar",
+      ],
+      per100g: [18, 0, 0, 0, 0, 2, 0, 0, 0, 6, 0, 2, 0, 0],
+    },
+    {
+      name: "Vinegar, balsamic",
+      aliases: ["balsamic vinegar", "balsamic"],
+      per100g: [88, 0.5, 0, 0, 0, 23, 17, 0, 15, 27, 0.7, 112, 0, 0],
+    },
+    {
+      name: "Mustard, prepared, yellow",
+      aliases: [
+        "mustard",
+        "dijon mustard",
+        "yellow mustard",
+        "whole grain mustard",
+      ],
+      per100g: [60, 3.7, 3.3, 0.2, 0, 1104, 5.8, 4, 0.9, 63, 1.6, 138, 0, 0.3],
+    },
+    {
+      name: "Catsup",
+      aliases: ["ketchup", "catsup"],
+      per100g: [101, 1, 0.1, 0, 0, 907, 27.4, 0.3, 21.3, 15, 0.4, 281, 0, 4.1],
+    },
+    {
+      name: "Soup, broth, ready-to-serve",
+      aliases: [
+        "broth",
+        "stock",
+        "chicken broth",
+        "chicken stock",
+        "beef broth",
+        "beef stock",
+        "vegetable broth",
+        "vegetable stock",
+      ],
+      per100g: [7, 1, 0.2, 0.1, 0, 343, 0.4, 0, 0.2, 4, 0.2, 70, 0, 0],
+      portions: { can: 411 },
+    },
+    {
+      name: "Water, tap",
+      aliases: ["water", "ice water", "boiling water"],
+      per100g: [0, 0, 0, 0, 0, 4, 0, 0, 0, 3, 0, 0, 0, 0],
+    },
+    {
+      name: "Alcoholic beverage, wine, table, red",
+      aliases: ["wine", "red wine", "white wine", "dry white wine"],
+      per100g: [85, 0.1, 0, 0, 0, 4, 2.6, 0, 0.6, 8, 0.5, 127, 0, 0],
+    },
+    {
+      name: "Alcoholic beverage, beer, regular",
+      aliases: ["beer"],
+      per100g: [43, 0.5, 0, 0, 0, 4, 3.6, 0, 0, 4, 0, 27, 0, 0],
+      portions: { can: 356, bottle: 356 },
+    },
+    {
+      name: "Beverages, coffee, brewed",
+      aliases: ["coffee", "brewed coffee", "espresso"],
+      per100g: [1, 0.1, 0, 0, 0, 2, 0, 0, 0, 2, 0, 49, 0, 0],
+    },
+    {
+      name: "Sauce, hot chile, sriracha",
+      aliases: ["hot sauce", "sriracha", "chili sauce"],
+      per100g: [
+        93, 1.9, 0.9, 0.1, 0, 2124, 19.2, 2.2, 15.1, 18, 1.6, 321, 0, 27,
+      ],
+    },
+    {
+      name: "Sauce, worcestershire",
+      aliases: ["worcestershire sauce", "worcestershire"],
+      per100g: [78, 0, 0, 0, 0, 980, 19.5, 0, 10, 107, 5.3, 800, 0, 13],
+    },
+    {
+      name: "Sauce, salsa, ready-to-serve",
+      aliases: ["salsa"],
+      per100g: [36, 1.5, 0.2, 0, 0, 711, 6.6, 1.9, 4, 30, 0.4, 275, 0, 4],
+      portions: { jar: 454 },
+    },
+    {
+      name: "Sauce, fish, ready-to-serve",
+      aliases: ["fish sauce"],
+      per100g: [35, 5.1, 0, 0, 0, 7851, 3.6, 0, 3.6, 43, 0.8, 288, 0, 0.5],
+    },
+
+    // Spices and dried herbs
+    {
+      name: "Spices, pepper, black",
+      aliases: [
+        "pepper",
+        "black pepper",
+        "ground black pepper",
+        "salt and pepper",
+      ],
+      per100g: [
+        251, 10.4, 3.3, 1.4, 0, 20, 64, 25.3, 0.6, 443, 9.7, 1329, 0, 0,
+      ],
+      portions: { pinch: 0.1, dash: 0.1 },
+    },
+    {
+      name: "Spices, cinnamon, ground",
+      aliases: ["cinnamon", "ground cinnamon"],
+      per100g: [
+        247, 4, 1.2, 0.3, 0, 10, 80.6, 53.1, 2.2, 1002, 8.3, 431, 0, 3.8,
+      ],
+      portions: { pinch: 0.3, dash: 0.3 },
+    },
+    {
+      name: "Spices, cumin seed",
+      aliases: ["cumin", "ground cumin"],
+      per100g: [
+        375, 17.8, 22.3, 1.5, 0, 168, 44.2, 10.5, 2.3, 931, 66.4, 1788, 0, 7.7,
+      ],
+    },
+    {
+      name: "Spices, paprika",
+      aliases: ["paprika", "smoked paprika", "sweet paprika"],
+      per100g: [
+        282, 14.1, 12.9, 2.1, 0, 68, 54, 34.9, 10.3, 229, 21.1, 2280, 0, 0.9,
+      ],
+    },
+    {
+      name: "Spices, chili powder",
+      aliases: ["chili powder", "chile powder"],
+      per100g: [
+        282, 13.5, 14.3, 2.5, 0, 2867, 49.7, 34.8, 7.2, 330, 17.3, 1950, 0, 0.7,
+      ],
+    },
+    {
+      name: "Spices, oregano, dried",
+      aliases: ["oregano", "italian seasoning"],
+      per100g: [
+        265, 9, 4.3, 1.6, 0, 25, 68.9, 42.5, 4.1, 1597, 36.8, 1260, 0, 2.3,
+      ],
+    },
+    {
+      name: "Spices, pepper, red or cayenne",
+      aliases: [
+        "cayenne",
+        "cayenne pepper",
+        "red pepper flake",
+        "chili flake",
+        "crushed red pepper",
+      ],
+      per100g: [
+        318, 12, 17.3, 3.3, 0, 30, 56.6, 27.2, 10.3, 148, 7.8, 2014, 0, 76.4,
+      ],
+      portions: { pinch: 0.2, dash: 0.2 },
+    },
+    {
+      name: "Spices, garlic powder",
+      aliases: ["garlic powder", "granulated garlic"],
+      per100g: [
+        331, 16.6, 0.7, 0.2, 0, 60, 72.7, 9, 2.4, 79, 5.7, 1193, 0, 1.2,
+      ],
+    },
+    {
+      name: "Spices, onion powder",
+      aliases: ["onion powder"],
+      per100g: [
+        341, 10.4, 1, 0.2, 0, 73, 79.1, 15.2, 6.6, 384, 3.9, 985, 0, 23.4,
+      ],
+    },
+    {
+      name: "Spices, nutmeg, ground",
+      aliases: ["nutmeg", "ground nutmeg"],
+      per100g: [525, 5.8, 36.3, 25.9, 0, 16, 49.3, 20.8, 3, 184, 3, 350, 0, 3],
+      portions: { pinch: 0.3, dash: 0.3 },
+    },
+    {
+      name: "Spices, ginger, ground",
+      aliases: ["ground ginger", "ginger powder"],
+      per100g: [
+        335, 9, 4.2, 2.6, 0, 27, 71.6, 14.1, 3.4, 114, 19.8, 1320, 0, 0.7,
+      ],
+    },
+    {
+      name: "Spices, thyme, dried (stands in for other dried herbs)",
+      aliases: ["thyme", "rosemary", "sage", "dried herb", "bay leaf"],
+      per100g: [
+        276, 9.1, 7.4, 2.7, 0, 55, 63.9, 37, 1.7, 1890, 123.6, 814, 0, 50,
+      ],
+      portions: { sprig: 0.5, each: 0.2 },
+    },
+  ],
+};
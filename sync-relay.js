@@ -0,0 +1,211 @@
+// PantryPilot sync relay
+//
+// A tiny message relay for the Cloud Sync feature. Devices that share a sync
+// code post their changes to the same room and long-poll for changes from the
+// others. The relay only stores and forwards messages; all merging happens in
+// the browser. Run it on any machine the household devices can reach:
+//
+//   node sync-relay.js            (listens on 0.0.0.0:8787)
+//   PORT=9000 node sync-relay.js
+//
+// Then enter http://<that-machine>:8787 as the relay URL in Cloud Sync.
+// No dependencies beyond Node itself.
+//
+// Memory is bounded: a room keeps its newest messages up to a count and a
+// byte total (devices that miss trimmed messages ask their peers for a
+// snapshot), a message over the size limit gets 413 and a new room past the
+// room limit gets 429.
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+const MAX_MESSAGES_PER_ROOM = 500;
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // Recipes can carry base64 images
+const MAX_ROOM_BYTES = 50 * 1024 * 1024;
+const MAX_ROOMS = 100;
+const MAX_WAIT_SECONDS = 30;
+const ROOM_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+const ROOM_PATTERN = /^\/rooms\/([A-Z0-9]{6,32})\/messages$/;
+
+const rooms = new Map();
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// messages and sizes line up; bytes is the sum of sizes
+const getRoom = (roomId) => {
+  if (!rooms.has(roomId)) {
+    if (rooms.size >= MAX_ROOMS) {
+      throw new RelayError(429, "Too many rooms on this relay");
+    }
+    rooms.set(roomId, {
+      seq: 0,
+      messages: [],
+      sizes: [],
+      bytes: 0,
+      waiters: new Set(),
+      touchedAt: Date.now(),
+    });
+  }
+  const room = rooms.get(roomId);
+  room.touchedAt = Date.now();
+  return room;
+};
+
+const pendingMessages = (room, afterSeq) =>
+  room.messages.filter((message) => message.seq > afterSeq);
+
+const roomSnapshot = (room, afterSeq) => ({
+  messages: pendingMessages(room, afterSeq),
+  latestSeq: room.seq,
+  oldestSeq: room.messages.length > 0 ? room.messages[0].seq : room.seq + 1,
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayError(413, "Message too large"));
+        req.pause();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const handlePost = async (req, res, roomId) => {
+  let body;
+  let message;
+  try {
+    body = await readBody(req);
+    message = JSON.parse(body);
+  } catch (error) {
+    // Stop reading an oversized body once the answer is out
+    if (error.status === 413) res.on("finish", () => req.destroy());
+    sendJson(res, error.status || 400, {
+      error: error.message || "Invalid JSON",
+    });
+    return;
+  }
+  if (!message || typeof message !== "object" || !message.deviceId) {
+    sendJson(res, 400, { error: "Message must include a deviceId" });
+    return;
+  }
+
+  const room = getRoom(roomId);
+  const size = Buffer.byteLength(body);
+  room.seq++;
+  room.messages.push({ ...message, seq: room.seq, receivedAt: Date.now() });
+  room.sizes.push(size);
+  room.bytes += size;
+  while (
+    room.messages.length > MAX_MESSAGES_PER_ROOM ||
+    (room.bytes > MAX_ROOM_BYTES && room.messages.length > 1)
+  ) {
+    room.messages.shift();
+    room.bytes -= room.sizes.shift();
+  }
+  room.waiters.forEach((wake) => wake());
+  room.waiters.clear();
+
+  sendJson(res, 200, { seq: room.seq });
+};
+
+const handlePoll = (req, res, roomId, query) => {
+  const room = getRoom(roomId);
+  const afterSeq = Number(query.get("after")) || 0;
+  const waitSeconds = Math.min(
+    Math.max(Number(query.get("wait")) || 0, 0),
+    MAX_WAIT_SECONDS,
+  );
+
+  if (pendingMessages(room, afterSeq).length > 0 || waitSeconds === 0) {
+    sendJson(res, 200, roomSnapshot(room, afterSeq));
+    return;
+  }
+
+  const wake = () => {
+    clearTimeout(timer);
+    room.waiters.delete(wake);
+    if (!res.writableEnded) {
+      sendJson(res, 200, roomSnapshot(room, afterSeq));
+    }
+  };
+  const timer = setTimeout(wake, waitSeconds * 1000);
+  room.waiters.add(wake);
+  req.on("close", () => {
+    clearTimeout(timer);
+    room.waiters.delete(wake);
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204, {});
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/health") {
+    sendJson(res, 200, { ok: true, rooms: rooms.size });
+    return;
+  }
+
+  const match = url.pathname.match(ROOM_PATTERN);
+  if (!match) {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  try {
+    if (req.method === "POST") {
+      handlePost(req, res, match[1]).catch((error) =>
+        sendJson(res, error.status || 500, { error: error.message }),
+      );
+    } else if (req.method === "GET") {
+      handlePoll(req, res, match[1], url.searchParams);
+    } else {
+      sendJson(res, 405, { error: "Method not allowed" });
+    }
+  } catch (error) {
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+});
+
+// Forget rooms nobody has touched in a week
+setInterval(
+  () => {
+    const cutoff = Date.now() - ROOM_IDLE_MS;
+    rooms.forEach((room, roomId) => {
+      if (room.touchedAt < cutoff && room.waiters.size === 0) {
+        rooms.delete(roomId);
+      }
+    });
+  },
+  60 * 60 * 1000,
+).unref();
+
+server.listen(PORT, HOST, () => {
+  console.log(`PantryPilot sync relay listening on http://${HOST}:${PORT}`);
+});
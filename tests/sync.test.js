@@ -0,0 +1,262 @@
+// Cloud Sync tests
+//
+// Two SyncClients paired through the in-process InMemorySyncRelay, each
+// device keeping its records and field clocks in memory the way IndexedDB
+// does in the browser. The sync and merge engine sections are read straight
+// out of script.js. Run with Node 18 or later, no dependencies:
+//
+//   node --test tests/
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "script.js"), "utf8");
+
+const slice = (from, to) => {
+  const start = source.indexOf(from);
+  const end = source.indexOf(to, start);
+  assert.ok(start >= 0 && end > start, `script.js section ${from} not found`);
+  return source.slice(start, end);
+};
+
+const engine = vm.runInNewContext(
+  [
+    slice("const STORE_NAMES = {", "let db = null;"),
+    slice("// ===== FEATURE 30:", "const requestResult = "),
+    slice("// ===== FEATURE 20:", "const loadSyncSettings = "),
+    // Records built inside the context carry its Object.prototype, so tests
+    // spread them into plain objects before a strict deepEqual
+    `({ STORE_NAMES, SyncClient, InMemorySyncRelay, stampRecordEdit,
+        stampRecordDeletion, mergeRecordVersions })`,
+  ].join("\n"),
+  {
+    AbortController,
+    DOMException,
+    clearTimeout,
+    console,
+    crypto,
+    setTimeout,
+  },
+);
+
+const STORE = engine.STORE_NAMES.RECIPES;
+const SYNC_CODE = "TESTROOM";
+
+const waitFor = async (condition, label, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline)
+      throw new Error(`Timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+// A device's recipes store, its recordMeta entries and its sync client
+const createDevice = (relay, deviceId) => {
+  const device = { records: new Map(), metas: {}, conflicts: [] };
+  const snapshot = () => ({
+    records: [...device.records.values()],
+    metas: { ...device.metas },
+  });
+
+  device.client = new engine.SyncClient({
+    transport: relay,
+    code: SYNC_CODE,
+    deviceId,
+    deviceName: deviceId,
+    onRemoteChanges: async (storeName, entries) => {
+      entries.forEach((entry) => {
+        const merged = engine.mergeRecordVersions(
+          storeName,
+          entry.id,
+          device.records.get(entry.id) || null,
+          device.metas[entry.id] || null,
+          entry.record,
+          entry.meta,
+        );
+        if (merged.record) {
+          device.records.set(entry.id, merged.record);
+        } else {
+          device.records.delete(entry.id);
+        }
+        device.metas[entry.id] = merged.meta;
+        device.conflicts.push(...merged.conflicts);
+      });
+    },
+    onSnapshotRequested: () => device.client.sendSnapshot(STORE, snapshot()),
+  });
+
+  device.save = (record) => {
+    const base = device.records.get(record.id) || null;
+    device.metas[record.id] = engine.stampRecordEdit(
+      STORE,
+      base,
+      device.metas[record.id],
+      record,
+    );
+    device.records.set(record.id, record);
+    return device.client.trackLocalChanges(STORE, snapshot());
+  };
+
+  device.remove = (recordId) => {
+    device.metas[recordId] = engine.stampRecordDeletion(
+      STORE,
+      device.records.get(recordId),
+      device.metas[recordId],
+    );
+    device.records.delete(recordId);
+    return device.client.trackLocalChanges(STORE, snapshot());
+  };
+
+  device.edit = (recordId, changes) =>
+    device.save({ ...device.records.get(recordId), ...changes });
+
+  return device;
+};
+
+const pairDevices = async () => {
+  const relay = new engine.InMemorySyncRelay();
+  const phone = createDevice(relay, "phone");
+  const laptop = createDevice(relay, "laptop");
+  await phone.client.connect();
+  await laptop.client.connect();
+  return { phone, laptop };
+};
+
+const disconnect = (...devices) =>
+  devices.forEach((device) => device.client.disconnect());
+
+const soup = {
+  id: "soup",
+  name: "Tomato Soup",
+  servings: 4,
+  notes: "",
+  createdAt: "2026-01-01T00:00:00.000Z",
+};
+
+test("a change made on one device reaches the other", async () => {
+  const { phone, laptop } = await pairDevices();
+  try {
+    await phone.save(soup);
+    await waitFor(() => laptop.records.has("soup"), "the new recipe");
+    assert.deepEqual({ ...laptop.records.get("soup") }, soup);
+
+    await laptop.edit("soup", { servings: 6 });
+    await waitFor(
+      () => phone.records.get("soup").servings === 6,
+      "the edited servings",
+    );
+    assert.equal(phone.records.get("soup").name, "Tomato Soup");
+  } finally {
+    disconnect(phone, laptop);
+  }
+});
+
+test("a deletion reaches the other device", async () => {
+  const { phone, laptop } = await pairDevices();
+  try {
+    await phone.save(soup);
+    await waitFor(() => laptop.records.has("soup"), "the new recipe");
+
+    await laptop.remove("soup");
+    await waitFor(() => !phone.records.has("soup"), "the deletion");
+    assert.ok(phone.metas.soup.deleted, "the phone keeps a tombstone");
+    assert.deepEqual(phone.conflicts, []);
+  } finally {
+    disconnect(phone, laptop);
+  }
+});
+
+test("concurrent edits to different fields both survive", async () => {
+  const { phone, laptop } = await pairDevices();
+  try {
+    await phone.save(soup);
+    await waitFor(() => laptop.records.has("soup"), "the new recipe");
+
+    // Both edit before either hears from the other
+    await Promise.all([
+      phone.edit("soup", { name: "Roasted Tomato Soup" }),
+      laptop.edit("soup", { servings: 8 }),
+    ]);
+    const merged = { ...soup, name: "Roasted Tomato Soup", servings: 8 };
+    await waitFor(
+      () =>
+        phone.records.get("soup").servings === 8 &&
+        laptop.records.get("soup").name === "Roasted Tomato Soup",
+      "both edits on both devices",
+    );
+    assert.deepEqual({ ...phone.records.get("soup") }, merged);
+    assert.deepEqual({ ...laptop.records.get("soup") }, merged);
+    assert.deepEqual([...phone.conflicts, ...laptop.conflicts], []);
+  } finally {
+    disconnect(phone, laptop);
+  }
+});
+
+test("concurrent edits to one field settle on the same value and keep a conflict", async () => {
+  const { phone, laptop } = await pairDevices();
+  try {
+    await phone.save(soup);
+    await waitFor(() => laptop.records.has("soup"), "the new recipe");
+
+    await Promise.all([
+      phone.edit("soup", { notes: "Add basil" }),
+      laptop.edit("soup", { notes: "Add cream" }),
+    ]);
+    await waitFor(
+      () => phone.conflicts.length > 0 && laptop.conflicts.length > 0,
+      "the conflict on both devices",
+    );
+    const kept = phone.records.get("soup").notes;
+    assert.ok(["Add basil", "Add cream"].includes(kept));
+    assert.equal(laptop.records.get("soup").notes, kept);
+    const [conflict] = phone.conflicts;
+    assert.equal(conflict.field, "notes");
+    assert.equal(conflict.keptValue, kept);
+    assert.equal(
+      conflict.otherValue,
+      kept === "Add basil" ? "Add cream" : "Add basil",
+    );
+  } finally {
+    disconnect(phone, laptop);
+  }
+});
+
+test("several edits to one field between syncs are not a conflict", () => {
+  const original = { ...soup, name: "Soup" };
+  const laptopMeta = engine.stampRecordEdit(STORE, null, null, original);
+
+  // The phone edits the name twice before it next syncs
+  const tomato = { ...original, name: "Tomato Soup" };
+  const roasted = { ...original, name: "Roasted Tomato Soup" };
+  const tomatoMeta = engine.stampRecordEdit(
+    STORE,
+    original,
+    laptopMeta,
+    tomato,
+  );
+  const phoneMeta = engine.stampRecordEdit(STORE, tomato, tomatoMeta, roasted);
+
+  const onLaptop = engine.mergeRecordVersions(
+    STORE,
+    "soup",
+    original,
+    laptopMeta,
+    roasted,
+    phoneMeta,
+  );
+  const onPhone = engine.mergeRecordVersions(
+    STORE,
+    "soup",
+    roasted,
+    phoneMeta,
+    original,
+    laptopMeta,
+  );
+  assert.equal(onLaptop.record.name, "Roasted Tomato Soup");
+  assert.equal(onPhone.record.name, "Roasted Tomato Soup");
+  assert.deepEqual([...onLaptop.conflicts, ...onPhone.conflicts], []);
+});